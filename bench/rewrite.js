@@ -0,0 +1,69 @@
+// URL token and page rewrite benchmarks
+// Usage: npm run bench [-- <links per page>]
+const crypto = require('crypto');
+const { performance } = require('perf_hooks');
+
+process.env.SECRET_KEY = process.env.SECRET_KEY || 'benchmark';
+const { encryptUrl, decryptUrl, processHtml } = require('../server');
+
+const LINKS = parseInt(process.argv[2], 10) || 2000;
+const ROUNDS = 5;
+
+function buildPage(links, seed) {
+    const body = [];
+    for (let i = 0; i < links; i++) {
+        body.push(`<a href="/article/${seed}/${i}">Article ${i}</a>`);
+        if (i % 4 === 0) {
+            body.push(`<img src="https://cdn.example.com/img/${seed}/${i}.jpg" srcset="https://cdn.example.com/img/${seed}/${i}@2x.jpg 2x">`);
+        }
+    }
+    // Navigation repeated on every page, as real sites do
+    for (let i = 0; i < 50; i++) {
+        body.push(`<a href="/section/${i}">Section ${i}</a>`);
+    }
+    return `<!DOCTYPE html><html><head><title>Bench</title><link rel="stylesheet" href="/main.css"></head><body>${body.join('\n')}</body></html>`;
+}
+
+function time(fn) {
+    const start = performance.now();
+    fn();
+    return performance.now() - start;
+}
+
+function median(values) {
+    const sorted = values.slice().sort((a, b) => a - b);
+    return sorted[Math.floor(sorted.length / 2)];
+}
+
+function report(label, ms, extra = '') {
+    console.log(`${label.padEnd(38)} ${ms.toFixed(2).padStart(9)} ms${extra}`);
+}
+
+// Token round trips
+const urls = Array.from({ length: LINKS }, (_, i) => `https://example.com/path/${i}?q=${i}`);
+
+report(`encryptUrl x${LINKS} (cold)`, time(() => urls.forEach(u => encryptUrl(u))));
+report(`encryptUrl x${LINKS} (cached)`, time(() => urls.forEach(u => encryptUrl(u))));
+
+const tokens = urls.map(u => encryptUrl(u));
+report(`decryptUrl x${LINKS} (cached)`, time(() => tokens.forEach(t => decryptUrl(t))));
+
+// What the old per-call key derivation cost on its own
+const scryptMs = time(() => crypto.scryptSync('benchmark', 'salt', 32));
+report(`scryptSync x${LINKS} (previous, est.)`, scryptMs * LINKS);
+
+// Full page rewrites: a fresh page every round, then the same page again
+const fresh = [];
+const repeat = [];
+const page = buildPage(LINKS, 'repeat');
+processHtml(page, 'https://example.com/');
+
+for (let round = 0; round < ROUNDS; round++) {
+    const html = buildPage(LINKS, `fresh-${round}`);
+    fresh.push(time(() => processHtml(html, 'https://example.com/')));
+    repeat.push(time(() => processHtml(page, 'https://example.com/')));
+}
+
+const perPage = ` (${LINKS} links + ${Math.ceil(LINKS / 4)} images, median of ${ROUNDS})`;
+report('processHtml, new page', median(fresh), perPage);
+report('processHtml, revisited page', median(repeat), perPage);
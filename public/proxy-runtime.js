@@ -0,0 +1,537 @@
+// Client runtime for proxied pages
+// Injected ahead of the page's own scripts by processHtml(). It wraps the
+// browser APIs a page can use to reach the network (fetch, XHR, WebSocket,
+// history, window.open, element URL properties) and rewrites their URLs into
+// proxy tokens locally, so script-driven requests stay inside the proxy.
+(function() {
+    if (window.__proxyRuntime) return;
+
+    const config = window.__PROXY_CONFIG__ || {};
+    const key = hexToBytes(config.key || '');
+    if (!config.base || !key.length) return;
+
+    // Tokens minted by the server look like "<key id>.<base64url>", ours like "c.<base64url>"
+    const TOKEN_PATH = /^\/(proxy|asset|image|ws)\/[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+$/;
+    const ROUTE_PREFIX = /^\/(?:proxy|asset|image)\/(.+)$/;
+    const NON_PROXIED_SCHEMES = /^(?:#|javascript:|data:|blob:|mailto:|tel:|about:)/i;
+
+    const native = {
+        fetch: window.fetch,
+        XMLHttpRequestOpen: XMLHttpRequest.prototype.open,
+        WebSocket: window.WebSocket,
+        EventSource: window.EventSource,
+        Worker: window.Worker,
+        sendBeacon: navigator.sendBeacon,
+        open: window.open,
+        pushState: history.pushState,
+        replaceState: history.replaceState,
+        setAttribute: Element.prototype.setAttribute
+    };
+
+    // Tokens are signed with this session's key and expire; the server's clock decides when
+    const tokenCache = new Map();
+    const tokenTtl = config.ttl || 0;
+    const clockOffset = config.now ? config.now * 1000 - Date.now() : 0;
+    let realBase = config.base;
+    let realPage = config.url || config.base;
+
+    // The browser shell (public/index.html) when this page is one of its tabs. It's on
+    // another origin, so all it gets from us are messages addressed to that origin alone.
+    // Nested frames of the page aren't tabs.
+    const shell = config.shell && window.parent !== window && window.parent === window.top
+        ? { post: message => window.parent.postMessage(message, config.shell) }
+        : null;
+
+    // Sandboxed frames without an origin of their own can't touch service workers at all
+    const serviceWorkers = (function() {
+        try {
+            return navigator.serviceWorker || null;
+        } catch (e) {
+            return null;
+        }
+    })();
+
+    // The service worker (public/sw.js) resolves leaked relative URLs against this base too;
+    // the key tells it when the session has moved on and it should fetch the new one
+    function announceBase() {
+        const worker = serviceWorkers && serviceWorkers.controller;
+        if (worker) {
+            worker.postMessage({
+                type: 'proxy-base',
+                base: realBase,
+                key: config.key
+            });
+        }
+    }
+
+    // Where the tab is, how the page loaded and how many ads were hidden from it
+    function reportLocation() {
+        if (!shell) return;
+        const navigation = performance.getEntriesByType('navigation')[0];
+        const blocked = document.getElementById('proxy-blocked');
+        shell.post({
+            type: 'proxy-location',
+            path: location.pathname + location.search + location.hash,
+            url: realPage + location.hash,
+            title: document.title,
+            status: (navigation && navigation.responseStatus) || 0,
+            hidden: blocked ? Number(blocked.dataset.hidden) || 0 : 0
+        });
+    }
+
+    // The server followed a redirect: make the address bar point at the page we landed on
+    if (config.page) {
+        native.replaceState.call(history, history.state, '', config.page + location.hash);
+    }
+    const initialPath = location.pathname;
+
+    function hexToBytes(hex) {
+        const bytes = new Uint8Array(hex.length / 2);
+        for (let i = 0; i < bytes.length; i++) {
+            bytes[i] = parseInt(hex.substr(i * 2, 2), 16);
+        }
+        return bytes;
+    }
+
+    // SHA-256 and HMAC, for signing tokens synchronously: crypto.subtle only returns
+    // promises, and URL setters and open() calls need their token right away
+    const SHA256_K = new Uint32Array([
+        0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+        0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+        0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+        0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+        0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+        0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+        0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+        0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2
+    ]);
+
+    function sha256(data) {
+        const hash = new Uint32Array([0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19]);
+        const words = new Uint32Array(64);
+        const padded = new Uint8Array((data.length + 72) & ~63);
+        padded.set(data);
+        padded[data.length] = 0x80;
+        const view = new DataView(padded.buffer);
+        view.setUint32(padded.length - 8, Math.floor(data.length / 0x20000000));
+        view.setUint32(padded.length - 4, data.length << 3);
+
+        for (let offset = 0; offset < padded.length; offset += 64) {
+            for (let i = 0; i < 16; i++) {
+                words[i] = view.getUint32(offset + i * 4);
+            }
+            for (let i = 16; i < 64; i++) {
+                const x = words[i - 15];
+                const y = words[i - 2];
+                const s0 = ((x >>> 7) | (x << 25)) ^ ((x >>> 18) | (x << 14)) ^ (x >>> 3);
+                const s1 = ((y >>> 17) | (y << 15)) ^ ((y >>> 19) | (y << 13)) ^ (y >>> 10);
+                words[i] = words[i - 16] + s0 + words[i - 7] + s1;
+            }
+
+            let [a, b, c, d, e, f, g, h] = hash;
+            for (let i = 0; i < 64; i++) {
+                const S1 = ((e >>> 6) | (e << 26)) ^ ((e >>> 11) | (e << 21)) ^ ((e >>> 25) | (e << 7));
+                const t1 = (h + S1 + ((e & f) ^ (~e & g)) + SHA256_K[i] + words[i]) | 0;
+                const S0 = ((a >>> 2) | (a << 30)) ^ ((a >>> 13) | (a << 19)) ^ ((a >>> 22) | (a << 10));
+                const t2 = (S0 + ((a & b) ^ (a & c) ^ (b & c))) | 0;
+                h = g;
+                g = f;
+                f = e;
+                e = (d + t1) | 0;
+                d = c;
+                c = b;
+                b = a;
+                a = (t1 + t2) | 0;
+            }
+            [a, b, c, d, e, f, g, h].forEach((value, i) => {
+                hash[i] += value;
+            });
+        }
+
+        const digest = new Uint8Array(32);
+        const digestView = new DataView(digest.buffer);
+        hash.forEach((value, i) => digestView.setUint32(i * 4, value));
+        return digest;
+    }
+
+    function hmac(secret, data) {
+        const block = new Uint8Array(64);
+        block.set(secret.length > 64 ? sha256(secret) : secret);
+        const inner = new Uint8Array(64 + data.length);
+        const outer = new Uint8Array(64 + 32);
+        for (let i = 0; i < 64; i++) {
+            inner[i] = block[i] ^ 0x36;
+            outer[i] = block[i] ^ 0x5c;
+        }
+        inner.set(data, 64);
+        outer.set(sha256(inner), 64);
+        return sha256(outer);
+    }
+
+    const mask = hmac(key, new TextEncoder().encode('mask'));
+
+    // Mirror of openClientToken() in server.js: expiry | URL XOR mask | 16 bytes of HMAC
+    function encode(targetUrl) {
+        const now = Date.now() + clockOffset;
+        const cached = tokenCache.get(targetUrl);
+        // Reuse a token while it still has at least half its lifetime left
+        if (cached && cached.expires - now > tokenTtl * 500) return cached.token;
+
+        const url = new TextEncoder().encode(targetUrl);
+        const expires = Math.floor(now / 1000) + tokenTtl;
+        const signed = new Uint8Array(4 + url.length);
+        new DataView(signed.buffer).setUint32(0, expires);
+        signed.set(url, 4);
+        const tag = hmac(key, signed);
+
+        let binary = '';
+        for (let i = 0; i < signed.length; i++) {
+            binary += String.fromCharCode(i < 4 ? signed[i] : signed[i] ^ mask[(i - 4) % mask.length]);
+        }
+        for (let i = 0; i < 16; i++) {
+            binary += String.fromCharCode(tag[i]);
+        }
+        const token = 'c.' + btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+
+        if (tokenCache.size > 2000) tokenCache.clear();
+        tokenCache.set(targetUrl, { token, expires: expires * 1000 });
+        return token;
+    }
+
+    // The URL inside one of our tokens, for the ones we put into history entries
+    function decode(token) {
+        const binary = atob(token.slice(2).replace(/-/g, '+').replace(/_/g, '/'));
+        const bytes = new Uint8Array(Math.max(binary.length - 20, 0));
+        for (let i = 0; i < bytes.length; i++) {
+            bytes[i] = binary.charCodeAt(i + 4) ^ mask[i % mask.length];
+        }
+        return new TextDecoder().decode(bytes);
+    }
+
+    // Work out which upstream URL a value refers to, or null if it is already
+    // proxied or is not something we should touch
+    function resolveUpstream(value) {
+        if (value === null || value === undefined) return null;
+        if (typeof value !== 'string') value = String(value);
+
+        const trimmed = value.trim();
+        if (!trimmed || NON_PROXIED_SCHEMES.test(trimmed)) return null;
+
+        let local;
+        try {
+            local = new URL(trimmed, location.href);
+        } catch (e) {
+            return null;
+        }
+
+        // Same-origin URLs were either produced by us or built from
+        // location.*, which reports the proxy origin instead of the real one
+        if (local.origin === location.origin) {
+            if (TOKEN_PATH.test(local.pathname)) return null;
+
+            const real = new URL(realBase);
+            const prefixed = local.pathname.match(ROUTE_PREFIX);
+            // A relative URL resolved against /proxy/<token> lands at /proxy/<relative>
+            const target = prefixed
+                ? new URL(prefixed[1] + local.search + local.hash, realBase)
+                : new URL(local.pathname + local.search + local.hash, real.origin);
+            return target;
+        }
+
+        try {
+            return new URL(trimmed, realBase);
+        } catch (e) {
+            return null;
+        }
+    }
+
+    function rewrite(value, route) {
+        const target = resolveUpstream(value);
+        if (!target) return value;
+
+        if (route === 'ws') {
+            if (!['ws:', 'wss:', 'http:', 'https:'].includes(target.protocol)) return value;
+            if (target.protocol === 'http:') target.protocol = 'ws:';
+            if (target.protocol === 'https:') target.protocol = 'wss:';
+            const scheme = location.protocol === 'https:' ? 'wss:' : 'ws:';
+            return `${scheme}//${location.host}/ws/${encode(target.href)}`;
+        }
+
+        if (!['http:', 'https:'].includes(target.protocol)) return value;
+
+        const hash = target.hash;
+        target.hash = '';
+        return `/${route}/${encode(target.href)}${hash}`;
+    }
+
+    function rewriteSrcset(value) {
+        return String(value).split(/,\s+/).map(candidate => {
+            const parts = candidate.trim().split(/\s+/);
+            parts[0] = rewrite(parts[0], 'image');
+            return parts.join(' ');
+        }).join(', ');
+    }
+
+    // Network APIs
+    window.fetch = function(input, init) {
+        if (input instanceof Request) {
+            const rewritten = rewrite(input.url, 'proxy');
+            if (rewritten !== input.url) {
+                input = new Request(rewritten, input);
+            }
+        } else {
+            input = rewrite(input, 'proxy');
+        }
+        return native.fetch.call(this, input, init);
+    };
+
+    XMLHttpRequest.prototype.open = function(method, requestUrl, ...rest) {
+        return native.XMLHttpRequestOpen.call(this, method, rewrite(requestUrl, 'proxy'), ...rest);
+    };
+
+    if (native.WebSocket) {
+        const ProxiedWebSocket = function WebSocket(socketUrl, protocols) {
+            return protocols === undefined
+                ? new native.WebSocket(rewrite(socketUrl, 'ws'))
+                : new native.WebSocket(rewrite(socketUrl, 'ws'), protocols);
+        };
+        ProxiedWebSocket.prototype = native.WebSocket.prototype;
+        ['CONNECTING', 'OPEN', 'CLOSING', 'CLOSED'].forEach(name => {
+            ProxiedWebSocket[name] = native.WebSocket[name];
+        });
+        window.WebSocket = ProxiedWebSocket;
+    }
+
+    if (native.EventSource) {
+        window.EventSource = function EventSource(sourceUrl, options) {
+            return new native.EventSource(rewrite(sourceUrl, 'proxy'), options);
+        };
+        window.EventSource.prototype = native.EventSource.prototype;
+    }
+
+    if (native.Worker) {
+        window.Worker = function Worker(scriptUrl, options) {
+            return new native.Worker(rewrite(scriptUrl, 'asset'), options);
+        };
+        window.Worker.prototype = native.Worker.prototype;
+    }
+
+    if (native.sendBeacon) {
+        navigator.sendBeacon = function(beaconUrl, data) {
+            return native.sendBeacon.call(navigator, rewrite(beaconUrl, 'proxy'), data);
+        };
+    }
+
+    // Navigation APIs
+    function wrapHistory(method) {
+        return function(state, title, stateUrl) {
+            if (stateUrl === undefined || stateUrl === null) {
+                return method.call(history, state, title);
+            }
+            const target = resolveUpstream(stateUrl);
+            const rewritten = rewrite(stateUrl, 'proxy');
+            if (target) {
+                realBase = target.href;
+                realPage = target.href;
+            }
+            const result = method.call(history, state, title, rewritten);
+            announceBase();
+            reportLocation();
+            return result;
+        };
+    }
+
+    history.pushState = wrapHistory(native.pushState);
+    history.replaceState = wrapHistory(native.replaceState);
+
+    window.open = function(openUrl, target, ...rest) {
+        const rewritten = openUrl ? rewrite(openUrl, 'proxy') : openUrl;
+        // New windows become new tabs of the shell
+        if (shell && rewritten && (!target || target === '_blank')) {
+            shell.post({ type: 'proxy-open', path: rewritten });
+            return null;
+        }
+        return native.open.call(window, rewritten, target, ...rest);
+    };
+
+    // The service worker catches what these hooks can't see (CSS-in-JS, import(), workers).
+    // A site's own worker would run on our origin for every site, so those are refused.
+    if (serviceWorkers) {
+        if (!serviceWorkers.controller) {
+            ['/proxy/', '/asset/'].forEach(scope => {
+                serviceWorkers.register('/sw.js', { scope }).catch(() => {});
+            });
+        }
+        serviceWorkers.addEventListener('controllerchange', announceBase);
+        announceBase();
+        serviceWorkers.register = function() {
+            return Promise.reject(new DOMException('Service workers are not available through the proxy', 'SecurityError'));
+        };
+    }
+
+    // location.assign/replace/href are unforgeable, so catch the resulting
+    // navigation instead where the Navigation API is available
+    if (window.navigation) {
+        window.navigation.addEventListener('navigate', function(event) {
+            if (!event.cancelable || event.hashChange || event.downloadRequest) return;
+            if (event.formData) return;
+
+            const rewritten = rewrite(event.destination.url, 'proxy');
+            if (rewritten !== event.destination.url) {
+                event.preventDefault();
+                location.href = rewritten;
+            }
+        });
+    }
+
+    // Element URL properties and attributes
+    const ELEMENT_URL_ATTRIBUTES = {
+        A: { href: 'proxy' },
+        AREA: { href: 'proxy' },
+        FORM: { action: 'proxy' },
+        IFRAME: { src: 'proxy' },
+        FRAME: { src: 'proxy' },
+        IMG: { src: 'image', srcset: 'srcset' },
+        INPUT: { src: 'image', formaction: 'proxy' },
+        BUTTON: { formaction: 'proxy' },
+        SCRIPT: { src: 'asset' },
+        LINK: { href: 'asset', imagesrcset: 'srcset' },
+        VIDEO: { src: 'asset', poster: 'image' },
+        AUDIO: { src: 'asset' },
+        SOURCE: { src: 'asset', srcset: 'srcset' },
+        TRACK: { src: 'asset' },
+        EMBED: { src: 'asset' },
+        OBJECT: { data: 'asset' }
+    };
+
+    function rewriteAttributeValue(element, name, value) {
+        const rules = ELEMENT_URL_ATTRIBUTES[element.tagName];
+        const route = rules && rules[name.toLowerCase()];
+        if (!route) return value;
+        return route === 'srcset' ? rewriteSrcset(value) : rewrite(value, route);
+    }
+
+    Element.prototype.setAttribute = function(name, value) {
+        return native.setAttribute.call(this, name, rewriteAttributeValue(this, String(name), value));
+    };
+
+    const PROPERTY_TARGETS = [
+        [window.HTMLAnchorElement, 'href'],
+        [window.HTMLAreaElement, 'href'],
+        [window.HTMLFormElement, 'action'],
+        [window.HTMLIFrameElement, 'src'],
+        [window.HTMLImageElement, 'src'],
+        [window.HTMLImageElement, 'srcset'],
+        [window.HTMLInputElement, 'src'],
+        [window.HTMLScriptElement, 'src'],
+        [window.HTMLLinkElement, 'href'],
+        [window.HTMLMediaElement, 'src'],
+        [window.HTMLVideoElement, 'poster'],
+        [window.HTMLSourceElement, 'src'],
+        [window.HTMLSourceElement, 'srcset'],
+        [window.HTMLTrackElement, 'src'],
+        [window.HTMLEmbedElement, 'src'],
+        [window.HTMLObjectElement, 'data']
+    ];
+
+    PROPERTY_TARGETS.forEach(([ctor, property]) => {
+        if (!ctor) return;
+        const descriptor = Object.getOwnPropertyDescriptor(ctor.prototype, property);
+        if (!descriptor || !descriptor.set) return;
+
+        Object.defineProperty(ctor.prototype, property, {
+            configurable: true,
+            enumerable: descriptor.enumerable,
+            get: descriptor.get,
+            set(value) {
+                descriptor.set.call(this, rewriteAttributeValue(this, property, value));
+            }
+        });
+    });
+
+    // Catch-all for markup inserted via innerHTML, insertAdjacentHTML, etc.
+    function rewriteTree(root) {
+        if (root.nodeType !== 1) return;
+        const elements = [root, ...root.querySelectorAll('*')];
+        elements.forEach(element => {
+            const rules = ELEMENT_URL_ATTRIBUTES[element.tagName];
+            if (!rules) return;
+            Object.keys(rules).forEach(name => {
+                const value = element.getAttribute(name);
+                if (!value) return;
+                const rewritten = rewriteAttributeValue(element, name, value);
+                if (rewritten !== value) {
+                    native.setAttribute.call(element, name, rewritten);
+                }
+            });
+        });
+    }
+
+    new MutationObserver(mutations => {
+        mutations.forEach(mutation => {
+            mutation.addedNodes.forEach(rewriteTree);
+        });
+    }).observe(document, { childList: true, subtree: true });
+
+    // Links and forms that slipped past both the server and the hooks above
+    document.addEventListener('click', function(e) {
+        const link = e.target.closest && e.target.closest('a[href], area[href]');
+        if (link) {
+            rewriteTree(link);
+            
+            // In the shell, _blank opens a tab and _top/_parent stay inside ours
+            const target = (link.getAttribute('target') || '').toLowerCase();
+            if (shell && target === '_blank' && !e.defaultPrevented) {
+                e.preventDefault();
+                shell.post({ type: 'proxy-open', path: link.getAttribute('href') });
+            } else if (shell && (target === '_top' || target === '_parent')) {
+                native.setAttribute.call(link, 'target', '_self');
+            }
+        }
+    }, true);
+
+    document.addEventListener('submit', function(e) {
+        const form = e.target;
+        if (!form.hasAttribute('action')) {
+            native.setAttribute.call(form, 'action', rewrite(realBase, 'proxy'));
+        }
+        rewriteTree(form);
+    }, true);
+
+    // Back/forward between history entries the page pushed: recover the real URL from the path
+    window.addEventListener('popstate', function() {
+        if (location.pathname === initialPath) {
+            realBase = config.base;
+            realPage = config.url || config.base;
+        } else {
+            const match = location.pathname.match(/^\/proxy\/(c\.[A-Za-z0-9_-]+)$/);
+            if (match) {
+                realBase = realPage = decode(match[1]);
+            }
+        }
+        announceBase();
+        reportLocation();
+    });
+    window.addEventListener('hashchange', reportLocation);
+    document.addEventListener('DOMContentLoaded', reportLocation);
+    // Links followed inside the page: the shell shows it loading until the next one reports
+    window.addEventListener('beforeunload', function() {
+        if (shell) {
+            shell.post({ type: 'proxy-unload' });
+        }
+    });
+
+    window.__proxyRuntime = {
+        encode,
+        rewrite,
+        resolveUpstream,
+        native,
+        shell,
+        get base() {
+            return realBase;
+        },
+        get url() {
+            return realPage;
+        }
+    };
+})();
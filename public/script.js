@@ -1,8 +1,3 @@
-globalThis.fetch = (...args) => import('node-fetch').then(({default: fetch}) => fetch(...args));
-
-const express = require('express');
-const { createProxyMiddleware } = require('http-proxy-middleware');
-
 let ws;
 let reconnectAttempts = 0;
 const maxReconnectAttempts = 5;
@@ -95,11 +90,414 @@ function createParticles() {
     }
 }
 
-// Search functionality
+// Browser shell: each tab is a frame of proxied pages with its own back/forward history.
+// The pages come from the content origin, so they can't reach into the shell and only talk
+// to it by postMessage. They keep that origin inside the sandbox (cookies, storage, the
+// service worker); the sandbox only stops them navigating the top window away from us.
+const FRAME_SANDBOX = 'allow-scripts allow-same-origin allow-forms allow-modals allow-popups allow-popups-to-escape-sandbox allow-downloads allow-pointer-lock';
+const TABS_STORAGE_KEY = 'proxyTabs';
+
+const tabs = [];
+let activeTab = null;
+let nextTabId = 1;
+// Where the tabs' pages are served from, see /api/session; messages from anywhere else are ignored
+let contentOrigin = null;
+
+function createTab(path, options = {}) {
+    const tab = {
+        id: nextTabId++,
+        frame: null,
+        history: options.history || [],
+        index: options.history ? options.index : -1,
+        title: options.title || 'New tab',
+        url: options.url || '',
+        loading: false,
+        error: null,
+        pending: false,
+        requested: null,
+        reported: false,
+        hidden: 0
+    };
+    tabs.push(tab);
+    
+    if (options.history && tab.history[tab.index]) {
+        loadTabEntry(tab);
+    } else if (path) {
+        navigateTab(tab, path);
+    }
+    if (options.background) {
+        renderTabs();
+    } else {
+        switchTab(tab);
+    }
+    saveTabs();
+    return tab;
+}
+
+// Frames load pages through /enter, which signs them in on the content origin first
+function loadFrame(tab, path) {
+    const enterPath = `/enter?next=${encodeURIComponent(path)}`;
+    tab.reported = false;
+    
+    if (tab.frame) {
+        tab.frame.contentWindow.location.replace(enterPath);
+        return;
+    }
+    
+    const frame = document.createElement('iframe');
+    frame.className = 'tab-frame';
+    frame.setAttribute('sandbox', FRAME_SANDBOX);
+    frame.setAttribute('allow', 'fullscreen; clipboard-write; autoplay');
+    frame.addEventListener('load', () => frameLoaded(tab));
+    frame.hidden = tab !== activeTab;
+    frame.src = enterPath;
+    document.getElementById('viewport').appendChild(frame);
+    tab.frame = frame;
+}
+
+// Start a new entry in the tab's history once the page has loaded
+function navigateTab(tab, path) {
+    tab.requested = path;
+    tab.pending = false;
+    tab.loading = true;
+    tab.error = null;
+    loadFrame(tab, path);
+    renderTabs();
+}
+
+// Reload the entry the tab's history points at (back, forward, reload, restored tabs)
+function loadTabEntry(tab) {
+    tab.requested = tab.history[tab.index];
+    tab.pending = true;
+    tab.loading = true;
+    tab.error = null;
+    loadFrame(tab, tab.history[tab.index]);
+    renderTabs();
+}
+
+function recordFramePath(tab, path) {
+    if (tab.pending) {
+        // Our own back/forward/reload: the entry stays, redirects just update it
+        tab.pending = false;
+        tab.history[tab.index] = path;
+    } else if (path === tab.history[tab.index]) {
+        return;
+    } else if (path === tab.history[tab.index - 1]) {
+        // The browser's back/forward buttons move the frame directly
+        tab.index--;
+    } else if (path === tab.history[tab.index + 1]) {
+        tab.index++;
+    } else {
+        tab.history.splice(tab.index + 1, tab.history.length, path);
+        tab.index = tab.history.length - 1;
+    }
+    saveTabs();
+}
+
+// A page in the tab (its runtime, or the proxy's error page) says where it is and how it loaded
+function framePageReported(tab, report) {
+    const status = Number(report.status) || 0;
+    tab.reported = true;
+    tab.loading = false;
+    tab.error = status >= 400 ? { title: `This page couldn't be loaded (${status})`, detail: describeStatus(status) } : null;
+    
+    if (typeof report.path === 'string' && report.path.startsWith('/')) {
+        recordFramePath(tab, report.path);
+    }
+    tab.url = typeof report.url === 'string' ? report.url : '';
+    tab.title = typeof report.title === 'string' && report.title ? report.title : tab.title;
+    tab.hidden = Number(report.hidden) || 0;
+    
+    renderTabs();
+    saveTabs();
+    updatePageStats(tab);
+}
+
+// Anything without our runtime (images, PDFs, the browser's own error pages) never reports,
+// so all we know is that the page we asked for has loaded
+function frameLoaded(tab) {
+    if (tab.reported) return;
+    
+    tab.loading = false;
+    tab.error = null;
+    tab.url = '';
+    tab.hidden = 0;
+    if (tab.requested) {
+        recordFramePath(tab, tab.requested);
+    }
+    
+    renderTabs();
+    saveTabs();
+    updatePageStats(tab);
+}
+
+// New windows the pages open become tabs
+function openFrameTab(path) {
+    if (typeof path !== 'string' || !path) return;
+    const target = new URL(path, contentOrigin);
+    if (target.origin === contentOrigin) {
+        createTab(target.pathname + target.search + target.hash);
+    }
+}
+
+window.addEventListener('message', event => {
+    if (!contentOrigin || event.origin !== contentOrigin) return;
+    const tab = tabs.find(t => t.frame && t.frame.contentWindow === event.source);
+    const message = event.data;
+    if (!tab || !message || typeof message !== 'object') return;
+    
+    if (message.type === 'proxy-location') {
+        framePageReported(tab, message);
+    } else if (message.type === 'proxy-unload') {
+        // Links followed inside the page: show the loading state until the next page reports
+        tab.reported = false;
+        tab.loading = true;
+        renderTabs();
+    } else if (message.type === 'proxy-open') {
+        openFrameTab(message.path);
+    }
+});
+
+async function loadContentOrigin() {
+    try {
+        const response = await fetch('/api/session');
+        contentOrigin = (await response.json()).contentOrigin || null;
+    } catch (error) {
+        console.error('Error loading session:', error);
+    }
+}
+
+function describeStatus(status) {
+    if (status === 403) return 'The proxy blocked this page, or the site refused it.';
+    if (status === 404) return 'The site says this page doesn\'t exist.';
+    if (status === 429) return 'Too many requests. Wait a moment and try again.';
+    if (status >= 500) return 'The site couldn\'t be reached or failed to answer.';
+    return 'The site answered with an error.';
+}
+
+function switchTab(tab) {
+    activeTab = tab;
+    tabs.forEach(other => {
+        if (other.frame) {
+            other.frame.hidden = other !== tab;
+        }
+    });
+    renderTabs();
+    updatePageStats(tab);
+    saveTabs();
+}
+
+function closeTab(tab) {
+    const index = tabs.indexOf(tab);
+    if (index === -1) return;
+    
+    tabs.splice(index, 1);
+    if (tab.frame) {
+        tab.frame.remove();
+    }
+    
+    if (!tabs.length) {
+        createTab();
+    } else if (tab === activeTab) {
+        switchTab(tabs[Math.min(index, tabs.length - 1)]);
+    } else {
+        renderTabs();
+        saveTabs();
+    }
+}
+
+function goBack(tab) {
+    if (tab && tab.index > 0) {
+        tab.index--;
+        loadTabEntry(tab);
+    }
+}
+
+function goForward(tab) {
+    if (tab && tab.index < tab.history.length - 1) {
+        tab.index++;
+        loadTabEntry(tab);
+    }
+}
+
+function reloadTab(tab) {
+    if (!tab) return;
+    if (tab.requested && !tab.pending && tab.requested !== tab.history[tab.index]) {
+        // Retry a new page that never loaded
+        navigateTab(tab, tab.requested);
+    } else if (tab.history[tab.index]) {
+        loadTabEntry(tab);
+    }
+}
+
+function renderTabs() {
+    const container = document.getElementById('tabs');
+    container.innerHTML = '';
+    
+    tabs.forEach(tab => {
+        const el = document.createElement('div');
+        el.className = 'tab';
+        el.classList.toggle('active', tab === activeTab);
+        el.classList.toggle('loading', tab.loading);
+        el.classList.toggle('error', !!tab.error);
+        el.title = tab.url || tab.title;
+        el.addEventListener('click', () => switchTab(tab));
+        el.addEventListener('auxclick', e => {
+            if (e.button === 1) closeTab(tab);
+        });
+        
+        const title = document.createElement('span');
+        title.className = 'tab-title';
+        title.textContent = tab.loading && tab.index === -1 ? 'Loading...' : tab.title;
+        el.appendChild(title);
+        
+        const close = document.createElement('button');
+        close.className = 'tab-close';
+        close.title = 'Close tab (Alt+W)';
+        close.textContent = '✕';
+        close.addEventListener('click', e => {
+            e.stopPropagation();
+            closeTab(tab);
+        });
+        el.appendChild(close);
+        
+        container.appendChild(el);
+    });
+    
+    renderActiveTab();
+}
+
+function renderActiveTab() {
+    const tab = activeTab;
+    if (!tab) return;
+    
+    const blank = tab.index === -1 && !tab.loading && !tab.error;
+    document.getElementById('mainContainer').style.display = blank ? '' : 'none';
+    
+    document.getElementById('tabError').style.display = tab.error && !tab.loading ? 'flex' : 'none';
+    if (tab.error) {
+        document.getElementById('tabErrorTitle').textContent = tab.error.title;
+        document.getElementById('tabErrorDetail').textContent = tab.error.detail;
+    }
+    
+    document.getElementById('backBtn').disabled = tab.index <= 0;
+    document.getElementById('forwardBtn').disabled = tab.index >= tab.history.length - 1;
+    
+    const addressInput = document.getElementById('addressInput');
+    if (document.activeElement !== addressInput) {
+        addressInput.value = tab.url;
+    }
+    
+    const state = document.getElementById('addressState');
+    state.className = `address-state${tab.loading ? ' loading' : ''}`;
+    if (tab.loading) {
+        state.textContent = '';
+    } else if (tab.error) {
+        state.textContent = '⚠️';
+    } else if (tab.url.startsWith('https:')) {
+        state.textContent = '🔒';
+    } else if (tab.url) {
+        state.textContent = '🔓';
+    } else {
+        state.textContent = '🔍';
+    }
+    
+    const current = tab.history[tab.index];
+    const view = current ? new URL(current, location.origin).searchParams.get('proxy_view') : null;
+    document.getElementById('viewSelect').value = view || '';
+    
+    document.title = blank ? 'oxygen network v1' : `${tab.title} - oxygen network v1`;
+}
+
+// Open the same page again in another view (full, lite or reader)
+function switchView(tab, view) {
+    const current = tab && tab.history[tab.index];
+    if (!current) return;
+    
+    const target = new URL(current, location.origin);
+    if (view) {
+        target.searchParams.set('proxy_view', view);
+    } else {
+        target.searchParams.delete('proxy_view');
+    }
+    navigateTab(tab, target.pathname + target.search + target.hash);
+}
+
+// Requests blocked, elements hidden and bytes saved on the active tab's page
+async function updatePageStats(tab) {
+    const statsEl = document.getElementById('pageStats');
+    const path = tab.history[tab.index];
+    if (tab !== activeTab || !path || tab.error) {
+        if (tab === activeTab) statsEl.textContent = '';
+        return;
+    }
+    
+    const hidden = tab.hidden;
+    try {
+        const response = await fetch(`/api/page-stats?page=${encodeURIComponent(path.split('#')[0])}`);
+        const stats = await response.json();
+        
+        // Pages loaded without our runtime (scripts blocked, lite mode) still get their URL
+        if (!tab.url && stats.url) {
+            tab.url = stats.url;
+            renderActiveTab();
+            saveTabs();
+        }
+        
+        if (tab !== activeTab) return;
+        const parts = [];
+        if (stats.adBlocking) {
+            parts.push(`🛡️ ${stats.blocked} blocked` + (hidden ? `, ${hidden} hidden` : ''));
+        }
+        if (stats.savedBytes) {
+            parts.push(`⚡ ${Math.round(stats.savedBytes / 1024)} KB saved`);
+        }
+        statsEl.textContent = parts.join(' • ');
+    } catch (error) {
+        statsEl.textContent = '';
+    }
+}
+
+// Tabs survive reloading the shell for as long as the browser tab is open
+function saveTabs() {
+    try {
+        sessionStorage.setItem(TABS_STORAGE_KEY, JSON.stringify({
+            active: tabs.indexOf(activeTab),
+            tabs: tabs.map(tab => ({ history: tab.history, index: tab.index, title: tab.title, url: tab.url }))
+        }));
+    } catch (error) {
+        // Silently continue
+    }
+}
+
+function restoreTabs() {
+    let saved = null;
+    try {
+        saved = JSON.parse(sessionStorage.getItem(TABS_STORAGE_KEY));
+    } catch (error) {
+        // Silently continue
+    }
+    
+    if (!saved || !Array.isArray(saved.tabs) || !saved.tabs.length) {
+        createTab();
+        return;
+    }
+    
+    saved.tabs.forEach((state, i) => {
+        createTab(null, { ...state, background: i !== saved.active });
+    });
+    if (!activeTab) {
+        switchTab(tabs[0]);
+    }
+}
+
+// Search functionality: the address bar and the new tab page both load into the active tab
 async function performSearch(query) {
     if (!query.trim()) return;
     
-    showLoading('Establishing secure connection...');
+    const tab = activeTab || createTab();
+    tab.loading = true;
+    renderTabs();
     
     try {
         const response = await fetch('/api/search', {
@@ -110,33 +508,57 @@ async function performSearch(query) {
             body: JSON.stringify({ query: query })
         });
         
+        const data = await response.json();
         if (!response.ok) {
-            throw new Error(`HTTP error! status: ${response.status}`);
+            throw new Error(data.error || `HTTP error! status: ${response.status}`);
         }
         
-        const data = await response.json();
-        
-        // Redirect to the proxied URL
-        window.location.href = data.url;
+        navigateTab(tab, data.url);
         
     } catch (error) {
         console.error('Search error:', error);
-        hideLoading();
-        showNotification('Unable to connect. Please try again.', 'error');
+        tab.loading = false;
+        renderTabs();
+        showNotification(error.message.startsWith('HTTP') ? 'Unable to connect. Please try again.' : error.message, 'error');
     }
 }
 
-// Loading overlay
-function showLoading(message = 'Loading...') {
-    const overlay = document.getElementById('loadingOverlay');
-    const messageEl = overlay.querySelector('p');
-    if (messageEl) messageEl.textContent = message;
-    overlay.style.display = 'flex';
+async function loadSearchProviders() {
+    const select = document.getElementById('searchProvider');
+    if (!select) return;
+    
+    try {
+        const response = await fetch('/api/search/providers');
+        const data = await response.json();
+        data.providers.forEach(provider => {
+            const option = document.createElement('option');
+            option.value = provider.id;
+            option.textContent = provider.name;
+            select.appendChild(option);
+        });
+        select.value = data.selected;
+    } catch (error) {
+        console.error('Error loading search providers:', error);
+    }
 }
 
-function hideLoading() {
-    const overlay = document.getElementById('loadingOverlay');
-    overlay.style.display = 'none';
+async function saveSearchProvider() {
+    try {
+        const response = await fetch('/api/search/provider', {
+            method: 'PUT',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ provider: this.value })
+        });
+        
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+    } catch (error) {
+        console.error('Error saving search provider:', error);
+        showNotification('Could not change the search provider.', 'error');
+    }
 }
 
 // Notification system
@@ -201,35 +623,64 @@ function closeModal(modalId) {
     }
 }
 
-// Settings management
-function saveSettings() {
+// Settings management - the server keeps them per session and applies them to every request
+async function saveSettings() {
     const settings = {
-        encryptionLevel: document.getElementById('encryptionLevel')?.value || 'high',
         userAgent: document.getElementById('userAgent')?.value || 'chrome',
         blockScripts: document.getElementById('blockScripts')?.checked || false,
-        hideReferrer: document.getElementById('hideReferrer')?.checked || true
+        hideReferrer: document.getElementById('hideReferrer')?.checked ?? true,
+        blockAds: document.getElementById('blockAds')?.checked ?? true,
+        liteMode: document.getElementById('liteMode')?.checked || false
     };
     
-    localStorage.setItem('proxySettings', JSON.stringify(settings));
-    showNotification('Settings saved successfully!', 'info');
-}
-
-function loadSettings() {
     try {
-        const settings = JSON.parse(localStorage.getItem('proxySettings') || '{}');
+        const response = await fetch('/api/settings', {
+            method: 'PUT',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify(settings)
+        });
         
-        if (document.getElementById('encryptionLevel')) {
-            document.getElementById('encryptionLevel').value = settings.encryptionLevel || 'high';
-        }
-        if (document.getElementById('userAgent')) {
-            document.getElementById('userAgent').value = settings.userAgent || 'chrome';
-        }
-        if (document.getElementById('blockScripts')) {
-            document.getElementById('blockScripts').checked = settings.blockScripts || false;
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
         }
-        if (document.getElementById('hideReferrer')) {
-            document.getElementById('hideReferrer').checked = settings.hideReferrer !== false;
+        
+        applySettings((await response.json()).settings);
+        showNotification('Settings saved successfully!', 'info');
+        reloadTab(activeTab);
+    } catch (error) {
+        console.error('Error saving settings:', error);
+        showNotification('Could not save settings.', 'error');
+        loadSettings();
+    }
+}
+
+function applySettings(settings) {
+    if (document.getElementById('userAgent')) {
+        document.getElementById('userAgent').value = settings.userAgent;
+    }
+    if (document.getElementById('blockScripts')) {
+        document.getElementById('blockScripts').checked = settings.blockScripts;
+    }
+    if (document.getElementById('hideReferrer')) {
+        document.getElementById('hideReferrer').checked = settings.hideReferrer;
+    }
+    if (document.getElementById('blockAds')) {
+        document.getElementById('blockAds').checked = settings.blockAds;
+    }
+    if (document.getElementById('liteMode')) {
+        document.getElementById('liteMode').checked = settings.liteMode;
+    }
+}
+
+async function loadSettings() {
+    try {
+        const response = await fetch('/api/settings');
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
         }
+        applySettings((await response.json()).settings);
     } catch (error) {
         console.error('Error loading settings:', error);
     }
@@ -242,6 +693,8 @@ document.addEventListener('DOMContentLoaded', function() {
     createParticles();
     connectWebSocket();
     loadSettings();
+    loadSearchProviders();
+    loadContentOrigin().then(restoreTabs);
     
     // Search functionality
     const searchInput = document.getElementById('searchInput');
@@ -284,6 +737,29 @@ document.addEventListener('DOMContentLoaded', function() {
         });
     });
     
+    document.getElementById('searchProvider')?.addEventListener('change', saveSearchProvider);
+    
+    // Tabs and navigation
+    document.getElementById('newTabBtn').addEventListener('click', () => createTab());
+    document.getElementById('backBtn').addEventListener('click', () => goBack(activeTab));
+    document.getElementById('forwardBtn').addEventListener('click', () => goForward(activeTab));
+    document.getElementById('reloadBtn').addEventListener('click', () => reloadTab(activeTab));
+    document.getElementById('tabErrorRetry').addEventListener('click', () => reloadTab(activeTab));
+    document.getElementById('viewSelect').addEventListener('change', function() {
+        switchView(activeTab, this.value);
+    });
+    
+    const addressInput = document.getElementById('addressInput');
+    document.getElementById('addressForm').addEventListener('submit', function(e) {
+        e.preventDefault();
+        performSearch(addressInput.value);
+        addressInput.blur();
+    });
+    addressInput.addEventListener('focus', function() {
+        this.select();
+    });
+    addressInput.addEventListener('blur', renderActiveTab);
+    
     // Control buttons
     document.getElementById('settingsBtn')?.addEventListener('click', () => {
         openModal('settingsModal');
@@ -299,7 +775,6 @@ document.addEventListener('DOMContentLoaded', function() {
     
     // Modal close buttons
     document.getElementById('closeSettings')?.addEventListener('click', () => {
-        saveSettings();
         closeModal('settingsModal');
     });
     
@@ -323,10 +798,25 @@ document.addEventListener('DOMContentLoaded', function() {
     
     // Keyboard shortcuts
     document.addEventListener('keydown', function(e) {
-        // Ctrl/Cmd + K to focus search
-        if ((e.ctrlKey || e.metaKey) && e.key === 'k') {
+        // Ctrl/Cmd + K or L to focus the address bar
+        if ((e.ctrlKey || e.metaKey) && (e.key === 'k' || e.key === 'l')) {
             e.preventDefault();
-            searchInput?.focus();
+            addressInput.focus();
+        }
+        
+        // Alt + T/W for tabs, Alt + arrows for history
+        if (e.altKey && !e.ctrlKey && !e.metaKey) {
+            const actions = {
+                t: () => createTab(),
+                w: () => closeTab(activeTab),
+                ArrowLeft: () => goBack(activeTab),
+                ArrowRight: () => goForward(activeTab)
+            };
+            const action = actions[e.key.length === 1 ? e.key.toLowerCase() : e.key];
+            if (action) {
+                e.preventDefault();
+                action();
+            }
         }
         
         // Escape to close modals
@@ -340,13 +830,14 @@ document.addEventListener('DOMContentLoaded', function() {
     });
     
     // Settings change handlers
-    document.getElementById('encryptionLevel')?.addEventListener('change', saveSettings);
     document.getElementById('userAgent')?.addEventListener('change', saveSettings);
     document.getElementById('blockScripts')?.addEventListener('change', saveSettings);
     document.getElementById('hideReferrer')?.addEventListener('change', saveSettings);
+    document.getElementById('blockAds')?.addEventListener('change', saveSettings);
+    document.getElementById('liteMode')?.addEventListener('change', saveSettings);
     
     // Add some interactive effects
-    document.querySelectorAll('.control-btn').forEach(btn => {
+    document.querySelectorAll('.nav-btn').forEach(btn => {
         btn.addEventListener('mouseenter', function() {
             this.style.boxShadow = '0 5px 15px rgba(74, 222, 128, 0.3)';
         });
@@ -415,14 +906,3 @@ style.textContent = `
     }
 `;
 document.head.appendChild(style);
-
-// Service worker for offline functionality (optional)
-if ('serviceWorker' in navigator) {
-    window.addEventListener('load', function() {
-        navigator.serviceWorker.register('/sw.js').then(function(registration) {
-            console.log('ServiceWorker registration successful');
-        }, function(err) {
-            console.log('ServiceWorker registration failed');
-        });
-    });
-}
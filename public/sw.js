@@ -1,49 +1,248 @@
-// Service Worker for Privacy Proxy
-const CACHE_NAME = 'privacy-proxy-v1';
-const urlsToCache = [
-    '/',
-    '/style.css',
-    '/script.js',
-    'https://fonts.googleapis.com/css2?family=Quicksand:wght@400;500;600;700&display=swap'
-];
+// Service Worker for proxied pages
+// Registered for the /proxy/ and /asset/ scopes, so it controls proxied pages and the
+// workers they start. Every request such a page makes passes through here; the ones
+// that still point at a real site, or at a path of ours that isn't a token (CSS-in-JS,
+// import(), worker scripts, anything the runtime's hooks can't see), are mapped to the
+// same /proxy, /asset and /image tokens the server and the runtime use. The server
+// maps leaked requests itself for browsers without service workers.
+
+// "c.<base64url>" from the runtime or us, "<key id>.<base64url>" from the server, whose
+// IV, expiry and tag alone take 43 characters - so "/proxy/page.html" is a relative URL
+const TOKEN_PATH = /^\/(?:proxy|asset|image|ws)\/(?:c\.[A-Za-z0-9_-]+|[A-Za-z0-9_-]{1,16}\.[A-Za-z0-9_-]{43,})$/;
+const ROUTE_PREFIX = /^\/(?:proxy|asset|image)\/(.+)$/;
+const OWN_PATHS = /^\/(?:api\/|ws\/|proxy-runtime\.js$|sw\.js$)/;
+const SCOPES = ['/proxy/', '/asset/'];
+
+// Request destinations served by /asset; images go to /image, everything else to /proxy
+const ASSET_DESTINATIONS = ['script', 'style', 'font', 'audio', 'video', 'track', 'worker', 'sharedworker', 'serviceworker', 'object', 'embed', 'manifest', 'audioworklet', 'paintworklet', 'xslt'];
+
+// Document bases reported by the runtime in each page, by client id
+const clientBases = new Map();
+// Real URLs of server-minted tokens, which only the server can open
+const serverTokenUrls = new Map();
+// This session's client token key, only ever as /api/token-key gives it: any page can
+// message us. The worker outlives sessions; the key changes with them.
+let tokenKey = null;
+let tokenKeyLookup = null;
+
+function hexToBytes(hex) {
+    const bytes = new Uint8Array(hex.length / 2);
+    for (let i = 0; i < bytes.length; i++) {
+        bytes[i] = parseInt(hex.substr(i * 2, 2), 16);
+    }
+    return bytes;
+}
+
+function setTokenKey(data) {
+    if (tokenKey && tokenKey.hex === data.key) return tokenKey;
+
+    const signing = crypto.subtle.importKey('raw', hexToBytes(data.key), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign'])
+        .then(async function(hmacKey) {
+            const mask = await crypto.subtle.sign('HMAC', hmacKey, new TextEncoder().encode('mask'));
+            return { hmacKey, mask: new Uint8Array(mask) };
+        });
+    tokenKey = { hex: data.key, ttl: data.ttl, clockOffset: data.now * 1000 - Date.now(), signing };
+    return tokenKey;
+}
+
+function currentTokenKey() {
+    if (tokenKey) return Promise.resolve(tokenKey);
+    if (!tokenKeyLookup) {
+        tokenKeyLookup = fetch('/api/token-key', { credentials: 'same-origin' })
+            .then(response => response.json())
+            .then(setTokenKey)
+            .finally(() => {
+                tokenKeyLookup = null;
+            });
+    }
+    return tokenKeyLookup;
+}
+
+// A page holding another key than ours means the session has changed (a login, say), so
+// ask the server again; what the page sent is only a hint that it's time to
+function refreshTokenKey(reportedKey) {
+    if (!tokenKey || tokenKey.hex === reportedKey || tokenKeyLookup) return;
+    tokenKey = null;
+    currentTokenKey().catch(() => {});
+}
+
+// Mirror of encode() in proxy-runtime.js
+async function encode(targetUrl) {
+    const { ttl, clockOffset, signing } = await currentTokenKey();
+    const { hmacKey, mask } = await signing;
+
+    const url = new TextEncoder().encode(targetUrl);
+    const signed = new Uint8Array(4 + url.length);
+    new DataView(signed.buffer).setUint32(0, Math.floor((Date.now() + clockOffset) / 1000) + ttl);
+    signed.set(url, 4);
+    const tag = new Uint8Array(await crypto.subtle.sign('HMAC', hmacKey, signed));
+
+    let binary = '';
+    for (let i = 0; i < signed.length; i++) {
+        binary += String.fromCharCode(i < 4 ? signed[i] : signed[i] ^ mask[(i - 4) % mask.length]);
+    }
+    for (let i = 0; i < 16; i++) {
+        binary += String.fromCharCode(tag[i]);
+    }
+    return 'c.' + btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+async function decode(token) {
+    const { mask } = await (await currentTokenKey()).signing;
+    const binary = atob(token.slice(2).replace(/-/g, '+').replace(/_/g, '/'));
+    const bytes = new Uint8Array(Math.max(binary.length - 20, 0));
+    for (let i = 0; i < bytes.length; i++) {
+        bytes[i] = binary.charCodeAt(i + 4) ^ mask[i % mask.length];
+    }
+    return new TextDecoder().decode(bytes);
+}
+
+// The old worker registered for the whole origin may have been updated to this script
+function controlsProxiedPages() {
+    return SCOPES.some(scope => self.registration.scope === self.location.origin + scope);
+}
+
+// The real URL behind one of our token paths, or null
+function tokenTarget(href) {
+    let local;
+    try {
+        local = new URL(href);
+    } catch (error) {
+        return Promise.resolve(null);
+    }
+    if (local.origin !== self.location.origin || !TOKEN_PATH.test(local.pathname)) {
+        return Promise.resolve(null);
+    }
+
+    const token = local.pathname.split('/')[2];
+    if (token.startsWith('c.')) {
+        return decode(token).catch(() => null);
+    }
+
+    if (!serverTokenUrls.has(local.pathname)) {
+        if (serverTokenUrls.size > 500) serverTokenUrls.clear();
+        const lookup = fetch(`/api/page-stats?page=${encodeURIComponent(local.pathname)}`)
+            .then(response => response.json())
+            .then(data => data.url)
+            .catch(() => {
+                serverTokenUrls.delete(local.pathname);
+                return null;
+            });
+        serverTokenUrls.set(local.pathname, lookup);
+    }
+    return serverTokenUrls.get(local.pathname);
+}
+
+// Requests that already go through the proxy, or to our own endpoints, pass untouched
+function needsMapping(request) {
+    const url = new URL(request.url);
+    if (!['http:', 'https:'].includes(url.protocol)) return false;
+    if (url.origin !== self.location.origin) return true;
+    return !OWN_PATHS.test(url.pathname) && !TOKEN_PATH.test(url.pathname);
+}
+
+// The real URL a request points at, resolving our-origin paths the way the page would have
+async function upstreamUrl(request, client) {
+    const url = new URL(request.url);
+    if (url.origin !== self.location.origin) return url;
+
+    // Modules and workers resolve relative URLs against themselves, pages against their base
+    let base = client && clientBases.has(client.id) && (!request.referrer || request.referrer === client.url)
+        ? clientBases.get(client.id)
+        : await tokenTarget(request.referrer);
+    if (!base && client) {
+        base = await tokenTarget(client.url);
+    }
+    if (!base) return null;
+
+    // A relative URL resolved against /proxy/<token> lands at /proxy/<relative>
+    const prefixed = url.pathname.match(ROUTE_PREFIX);
+    return prefixed ? new URL(prefixed[1] + url.search, base) : new URL(url.pathname + url.search, base);
+}
+
+function routeFor(request) {
+    if (request.mode === 'navigate' || !['GET', 'HEAD'].includes(request.method)) return 'proxy';
+    if (request.destination === 'image') return 'image';
+    return ASSET_DESTINATIONS.includes(request.destination) ? 'asset' : 'proxy';
+}
+
+async function forward(event) {
+    const request = event.request;
+    const client = event.clientId ? await self.clients.get(event.clientId) : null;
+
+    let target = null;
+    try {
+        target = await upstreamUrl(request, client);
+    } catch (error) {
+        // Unparseable: let the browser deal with it
+    }
+    if (!target || !['http:', 'https:'].includes(target.protocol)) {
+        return fetch(request);
+    }
+
+    const mapped = `/${routeFor(request)}/${await encode(target.href)}`;
+
+    // Navigations land on the token path itself, so the new page knows where it is
+    if (request.mode === 'navigate') {
+        return Response.redirect(new URL(mapped, self.location.origin).href, 307);
+    }
+
+    // The server attributes subresources (cookies, blocking stats) to the page via the Referer
+    const referrer = request.referrer && new URL(request.referrer).origin === self.location.origin
+        ? request.referrer
+        : (client ? client.url : 'about:client');
+
+    return fetch(mapped, {
+        method: request.method,
+        headers: request.headers,
+        body: ['GET', 'HEAD'].includes(request.method) ? undefined : await request.blob(),
+        credentials: 'same-origin',
+        cache: request.cache === 'only-if-cached' ? 'default' : request.cache,
+        redirect: request.redirect,
+        referrer,
+        signal: request.signal
+    });
+}
 
 // Install event
 self.addEventListener('install', function(event) {
-    event.waitUntil(
-        caches.open(CACHE_NAME)
-            .then(function(cache) {
-                console.log('Service Worker: Cache opened');
-                return cache.addAll(urlsToCache);
-            })
-    );
-});
-
-// Fetch event
-self.addEventListener('fetch', function(event) {
-    event.respondWith(
-        caches.match(event.request)
-            .then(function(response) {
-                // Return cached version or fetch from network
-                if (response) {
-                    return response;
-                }
-                return fetch(event.request);
-            })
-    );
+    self.skipWaiting();
 });
 
 // Activate event
 self.addEventListener('activate', function(event) {
-    event.waitUntil(
-        caches.keys().then(function(cacheNames) {
-            return Promise.all(
-                cacheNames.map(function(cacheName) {
-                    if (cacheName !== CACHE_NAME) {
-                        console.log('Service Worker: Deleting old cache');
-                        return caches.delete(cacheName);
-                    }
-                })
-            );
-        })
-    );
+    event.waitUntil((async function() {
+        // The cache-first worker this replaced kept copies of the shell around
+        const cacheNames = await caches.keys();
+        await Promise.all(cacheNames.map(cacheName => caches.delete(cacheName)));
+
+        if (!controlsProxiedPages()) {
+            console.log('Service Worker: Dropping the registration for the whole origin');
+            return self.registration.unregister();
+        }
+        return self.clients.claim();
+    })());
+});
+
+// The runtime reports its document base, which <base href> can move away from the URL,
+// and the token key its page was given
+self.addEventListener('message', function(event) {
+    const data = event.data || {};
+    if (data.type !== 'proxy-base' || !event.source || typeof data.base !== 'string') return;
+
+    if (typeof data.key === 'string' && data.key) {
+        refreshTokenKey(data.key);
+    }
+
+    clientBases.delete(event.source.id);
+    clientBases.set(event.source.id, data.base);
+    if (clientBases.size > 500) {
+        clientBases.delete(clientBases.keys().next().value);
+    }
+});
+
+// Fetch event
+self.addEventListener('fetch', function(event) {
+    if (!controlsProxiedPages() || !needsMapping(event.request)) return;
+    event.respondWith(forward(event));
 });
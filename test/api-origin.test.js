@@ -0,0 +1,31 @@
+// The API refuses requests made by pages on any other origin, proxied pages included
+const test = require('node:test');
+const assert = require('node:assert');
+
+process.env.SECRET_KEY = process.env.SECRET_KEY || 'test';
+
+const { isCrossOriginRequest } = require('../server');
+
+function request(headers) {
+    return { headers: { host: 'proxy.example.com', ...headers } };
+}
+
+test('Sec-Fetch-Site decides when the browser sends it', () => {
+    assert.strictEqual(isCrossOriginRequest(request({ 'sec-fetch-site': 'same-origin' })), false);
+    assert.strictEqual(isCrossOriginRequest(request({ 'sec-fetch-site': 'none' })), false);
+    assert.strictEqual(isCrossOriginRequest(request({ 'sec-fetch-site': 'same-site' })), true);
+    assert.strictEqual(isCrossOriginRequest(request({ 'sec-fetch-site': 'cross-site' })), true);
+    // A matching Origin doesn't outweigh it
+    assert.strictEqual(isCrossOriginRequest(request({ 'sec-fetch-site': 'same-site', origin: 'https://proxy.example.com' })), true);
+});
+
+test('otherwise the Origin has to be ours', () => {
+    assert.strictEqual(isCrossOriginRequest(request({ origin: 'https://proxy.example.com' })), false);
+    assert.strictEqual(isCrossOriginRequest(request({ origin: 'https://content.proxy.example.com' })), true);
+    assert.strictEqual(isCrossOriginRequest(request({ origin: 'https://proxy.example.com:8081' })), true);
+    assert.strictEqual(isCrossOriginRequest(request({ origin: 'null' })), true);
+});
+
+test('requests without either header come from outside a browser page', () => {
+    assert.strictEqual(isCrossOriginRequest(request({})), false);
+});
@@ -0,0 +1,54 @@
+// Content origin: which requests it answers and the ticket handoff from the main origin
+const test = require('node:test');
+const assert = require('node:assert');
+
+process.env.SECRET_KEY = process.env.SECRET_KEY || 'test';
+process.env.CONTENT_ORIGIN = 'https://content.example.com';
+
+const { isContentRequest, ensureSession, issueEntryTicket, redeemEntryTicket } = require('../server');
+
+function request(host) {
+    return { headers: { host } };
+}
+
+function newSession() {
+    return ensureSession({ headers: {}, secure: true }, { cookie() {} });
+}
+
+test('requests are told apart by the Host they were sent to', () => {
+    assert.strictEqual(isContentRequest(request('content.example.com')), true);
+    assert.strictEqual(isContentRequest(request('example.com')), false);
+    assert.strictEqual(isContentRequest(request('content.example.com:8443')), false);
+    assert.strictEqual(isContentRequest(request(undefined)), false);
+});
+
+test('without CONTENT_ORIGIN the content. subdomain of any host is the content origin', () => {
+    delete process.env.CONTENT_ORIGIN;
+    delete require.cache[require.resolve('../server')];
+    const server = require('../server');
+
+    assert.strictEqual(server.isContentRequest(request('content.localhost:8080')), true);
+    assert.strictEqual(server.isContentRequest(request('content.example.com')), true);
+    assert.strictEqual(server.isContentRequest(request('localhost:8080')), false);
+    assert.strictEqual(server.isContentRequest(request('example.com')), false);
+    assert.strictEqual(server.isContentRequest(request(undefined)), false);
+});
+
+test('a ticket hands its session over once', () => {
+    const session = newSession();
+    const ticket = issueEntryTicket(session);
+
+    assert.strictEqual(redeemEntryTicket(ticket), session);
+    assert.strictEqual(redeemEntryTicket(ticket), null);
+});
+
+test('unknown, malformed and expired tickets are refused', (t) => {
+    assert.strictEqual(redeemEntryTicket('not-a-ticket'), null);
+    assert.strictEqual(redeemEntryTicket(undefined), null);
+    assert.strictEqual(redeemEntryTicket(['array']), null);
+
+    const ticket = issueEntryTicket(newSession());
+    const issued = Date.now();
+    t.mock.method(Date, 'now', () => issued + 61 * 1000);
+    assert.strictEqual(redeemEntryTicket(ticket), null);
+});
@@ -0,0 +1,125 @@
+// Upstream cookies in the per-session jar: which Set-Cookie headers are kept, and where they go
+const test = require('node:test');
+const assert = require('node:assert');
+
+process.env.SECRET_KEY = process.env.SECRET_KEY || 'test';
+const { parseSetCookie, storeSetCookie, cookieHeaderFor } = require('../server');
+
+const SAME_SITE = { sameSite: true, navigation: false, safeMethod: true };
+const CROSS_SITE_FETCH = { sameSite: false, navigation: false, safeMethod: true };
+const CROSS_SITE_NAVIGATION = { sameSite: false, navigation: true, safeMethod: true };
+const CROSS_SITE_POST = { sameSite: false, navigation: true, safeMethod: false };
+
+function jarWith(url, ...headers) {
+    const jar = new Map();
+    headers.forEach(header => storeSetCookie(jar, header, url));
+    return jar;
+}
+
+// [Set-Cookie, request URL, expected domain (null: rejected), expected hostOnly]
+const DOMAIN_CASES = [
+    ['a=1', 'https://www.example.com/', 'www.example.com', true],
+    ['a=1; Domain=example.com', 'https://www.example.com/', 'example.com', false],
+    ['a=1; Domain=.Example.COM', 'https://www.example.com/', 'example.com', false],
+    ['a=1; Domain=www.example.com', 'https://www.example.com/', 'www.example.com', false],
+    ['a=1; Domain=other.com', 'https://www.example.com/', null],
+    ['a=1; Domain=ample.com', 'https://www.example.com/', null],
+    ['a=1; Domain=sub.www.example.com', 'https://www.example.com/', null],
+
+    // Public suffixes, ICANN and private
+    ['a=1; Domain=com', 'https://www.example.com/', null],
+    ['a=1; Domain=co.uk', 'https://shop.example.co.uk/', null],
+    ['a=1; Domain=example.co.uk', 'https://shop.example.co.uk/', 'example.co.uk', false],
+    ['a=1; Domain=github.io', 'https://someone.github.io/', null],
+    ['a=1; Domain=someone.github.io', 'https://someone.github.io/', 'someone.github.io', false],
+
+    // A host that is itself a public suffix gets a host-only cookie
+    ['a=1; Domain=localhost', 'http://localhost/', 'localhost', true],
+    ['a=1; Domain=github.io', 'https://github.io/', 'github.io', true],
+
+    // IP addresses only ever match exactly
+    ['a=1; Domain=0.0.1', 'http://10.0.0.1/', null],
+    ['a=1', 'http://10.0.0.1/', '10.0.0.1', true]
+];
+
+DOMAIN_CASES.forEach(([header, url, domain, hostOnly]) => {
+    test(`${JSON.stringify(header)} from ${url} is ${domain === null ? 'rejected' : `scoped to ${domain}`}`, () => {
+        const cookie = parseSetCookie(header, url);
+        if (domain === null) {
+            assert.strictEqual(cookie, null);
+            return;
+        }
+        assert.strictEqual(cookie.domain, domain);
+        assert.strictEqual(cookie.hostOnly, hostOnly);
+    });
+});
+
+test('host-only cookies are not sent to subdomains', () => {
+    const jar = jarWith('https://example.com/', 'host=1', 'wide=1; Domain=example.com');
+    assert.strictEqual(cookieHeaderFor(jar, 'https://example.com/', SAME_SITE), 'host=1; wide=1');
+    assert.strictEqual(cookieHeaderFor(jar, 'https://api.example.com/', SAME_SITE), 'wide=1');
+    assert.strictEqual(cookieHeaderFor(jar, 'https://example.org/', SAME_SITE), '');
+});
+
+test('Path defaults to the directory of the request and matches on segment boundaries', () => {
+    assert.strictEqual(parseSetCookie('a=1', 'https://example.com/docs/page').path, '/docs');
+    assert.strictEqual(parseSetCookie('a=1', 'https://example.com/page').path, '/');
+    assert.strictEqual(parseSetCookie('a=1; Path=relative', 'https://example.com/docs/page').path, '/docs');
+
+    const jar = jarWith('https://example.com/', 'docs=1; Path=/docs', 'root=1; Path=/');
+    assert.strictEqual(cookieHeaderFor(jar, 'https://example.com/docs/a', SAME_SITE), 'docs=1; root=1');
+    assert.strictEqual(cookieHeaderFor(jar, 'https://example.com/docs', SAME_SITE), 'docs=1; root=1');
+    assert.strictEqual(cookieHeaderFor(jar, 'https://example.com/docsearch', SAME_SITE), 'root=1');
+});
+
+test('Secure cookies are only set by and sent to secure origins', () => {
+    assert.strictEqual(parseSetCookie('a=1; Secure', 'http://example.com/'), null);
+
+    const jar = jarWith('https://example.com/', 'a=1; Secure', 'b=2');
+    assert.strictEqual(cookieHeaderFor(jar, 'https://example.com/', SAME_SITE), 'a=1; b=2');
+    assert.strictEqual(cookieHeaderFor(jar, 'http://example.com/', SAME_SITE), 'b=2');
+    assert.strictEqual(cookieHeaderFor(jar, 'wss://example.com/socket', SAME_SITE), 'a=1; b=2');
+});
+
+test('cookie prefixes are enforced', () => {
+    assert.strictEqual(parseSetCookie('__Secure-a=1', 'https://example.com/'), null);
+    assert.ok(parseSetCookie('__Secure-a=1; Secure', 'https://example.com/'));
+
+    assert.ok(parseSetCookie('__Host-a=1; Secure; Path=/', 'https://example.com/'));
+    assert.strictEqual(parseSetCookie('__Host-a=1; Path=/', 'https://example.com/'), null);
+    assert.strictEqual(parseSetCookie('__Host-a=1; Secure; Path=/docs', 'https://example.com/'), null);
+    assert.strictEqual(parseSetCookie('__Host-a=1; Secure; Path=/; Domain=example.com', 'https://example.com/'), null);
+});
+
+test('Max-Age wins over Expires and expired cookies delete stored ones', () => {
+    const future = new Date(Date.now() + 3600 * 1000).toUTCString();
+    const past = new Date(Date.now() - 3600 * 1000).toUTCString();
+
+    assert.strictEqual(parseSetCookie('a=1', 'https://example.com/').expires, null);
+    assert.ok(parseSetCookie(`a=1; Expires=${future}`, 'https://example.com/').expires > Date.now());
+    assert.ok(parseSetCookie(`a=1; Expires=${past}; Max-Age=60`, 'https://example.com/').expires > Date.now());
+    assert.strictEqual(parseSetCookie(`a=1; Expires=${future}; Max-Age=0`, 'https://example.com/').expires, 0);
+
+    const jar = jarWith('https://example.com/', 'a=1', 'b=2');
+    storeSetCookie(jar, `a=; Expires=${past}`, 'https://example.com/');
+    storeSetCookie(jar, 'b=; Max-Age=-1', 'https://example.com/');
+    assert.strictEqual(jar.size, 0);
+});
+
+test('cookies whose time runs out in the jar are dropped when read', () => {
+    const jar = jarWith('https://example.com/', 'a=1', 'b=2; Max-Age=60');
+    jar.get('example.com;/;b').expires = Date.now() - 1;
+    assert.strictEqual(cookieHeaderFor(jar, 'https://example.com/', SAME_SITE), 'a=1');
+    assert.strictEqual(jar.has('example.com;/;b'), false);
+});
+
+test('SameSite decides what cross-site requests carry', () => {
+    assert.strictEqual(parseSetCookie('a=1; SameSite=None', 'https://example.com/'), null);
+    assert.strictEqual(parseSetCookie('a=1; SameSite=Bogus', 'https://example.com/').sameSite, 'lax');
+
+    const jar = jarWith('https://example.com/', 'strict=1; SameSite=Strict', 'lax=1; SameSite=Lax', 'default=1', 'none=1; SameSite=None; Secure');
+    assert.strictEqual(cookieHeaderFor(jar, 'https://example.com/', SAME_SITE), 'strict=1; lax=1; default=1; none=1');
+    assert.strictEqual(cookieHeaderFor(jar, 'https://example.com/', CROSS_SITE_NAVIGATION), 'lax=1; default=1; none=1');
+    assert.strictEqual(cookieHeaderFor(jar, 'https://example.com/', CROSS_SITE_POST), 'none=1');
+    assert.strictEqual(cookieHeaderFor(jar, 'https://example.com/', CROSS_SITE_FETCH), 'none=1');
+});
@@ -0,0 +1,34 @@
+// Logging in moves the visitor to a new session id without losing what the session held
+const test = require('node:test');
+const assert = require('node:assert');
+
+process.env.SECRET_KEY = process.env.SECRET_KEY || 'test';
+
+const { ensureSession, startAuthenticatedSession } = require('../server');
+
+function response() {
+    const cookies = {};
+    return { cookies, cookie(name, value) { cookies[name] = value; } };
+}
+
+test('login rotates the session id and keeps the rest of the session', () => {
+    const req = { headers: {}, secure: true };
+    const before = ensureSession(req, response());
+    const previousId = before.id;
+    before.cookieJar.set('example.com', []);
+    before.authOrigins.add('https://example.com');
+    before.shellOrigin = 'https://proxy.example.com';
+    before.settings = { blockScripts: true, adblock: true, lite: false };
+
+    const res = response();
+    const after = startAuthenticatedSession(req, res, { role: 'user', invite: null });
+
+    assert.notStrictEqual(after.id, previousId);
+    assert.strictEqual(res.cookies.proxy_sid, after.id);
+    assert.strictEqual(req.proxySession, after);
+    assert.strictEqual(after.shellOrigin, 'https://proxy.example.com');
+    assert.deepStrictEqual(after.settings, { blockScripts: true, adblock: true, lite: false });
+    assert.ok(after.cookieJar.has('example.com'));
+    assert.ok(after.authOrigins.has('https://example.com'));
+    assert.strictEqual(after.auth.role, 'user');
+});
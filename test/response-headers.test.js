@@ -0,0 +1,136 @@
+// Upstream response headers on the way to the browser: CSP, Link and the header policy
+const test = require('node:test');
+const assert = require('node:assert');
+
+process.env.SECRET_KEY = process.env.SECRET_KEY || 'test';
+const { decryptUrl, rewriteCsp, rewriteLinkHeader, applyResponseHeaderPolicy, setAssetCaching } = require('../server');
+
+const NONCE = 'abc123';
+const PAGE = 'https://example.com/docs/page';
+
+// The upstream URL behind a rewritten /<route>/<token> path
+function unproxied(path, route) {
+    const match = path.match(/^\/([a-z]+)\/([^/]+)$/);
+    assert.ok(match, `${path} is a proxy path`);
+    assert.strictEqual(match[1], route);
+    return decryptUrl(match[2]);
+}
+
+function sentHeaders(headers, context) {
+    const sent = {};
+    const res = { set: (name, value) => { sent[name] = value; } };
+    applyResponseHeaderPolicy(res, new Response(null, { headers }), { url: PAGE, nonce: NONCE, ...context });
+    return sent;
+}
+
+test('hosts and schemes become self, keywords, hashes and data: stay', () => {
+    assert.strictEqual(
+        rewriteCsp("default-src 'self' https://cdn.example.com https:; img-src * data: blob:; script-src 'sha256-xyz' 'strict-dynamic' 'unsafe-eval'"),
+        "default-src 'self'; img-src * data: blob:; script-src 'sha256-xyz' 'strict-dynamic' 'unsafe-eval'"
+    );
+});
+
+test('frame-ancestors, reporting and upgrades are dropped', () => {
+    assert.strictEqual(
+        rewriteCsp("img-src 'self'; frame-ancestors 'none'; report-uri https://r.example.com/; report-to csp; upgrade-insecure-requests; require-trusted-types-for 'script'"),
+        "img-src 'self'"
+    );
+    assert.strictEqual(rewriteCsp("frame-ancestors 'none'"), null);
+});
+
+test('the nonce goes into script and style sources, or default-src without them', () => {
+    assert.strictEqual(
+        rewriteCsp("script-src 'self'; style-src 'self'", NONCE),
+        `script-src 'self' 'nonce-${NONCE}'; style-src 'self' 'nonce-${NONCE}'`
+    );
+    assert.strictEqual(rewriteCsp("default-src 'self'", NONCE), `default-src 'self' 'nonce-${NONCE}'`);
+    assert.strictEqual(rewriteCsp("img-src 'self'", NONCE), "img-src 'self'");
+    assert.strictEqual(
+        rewriteCsp("script-src 'self'; script-src-elem https://cdn.example.com", NONCE),
+        `script-src 'self' 'nonce-${NONCE}'; script-src-elem 'self' 'nonce-${NONCE}'`
+    );
+});
+
+test("'none' gives way to the nonce", () => {
+    assert.strictEqual(rewriteCsp("default-src 'none'", NONCE), `default-src 'nonce-${NONCE}'`);
+});
+
+test("lists relying on 'unsafe-inline' are left without a nonce, which would switch it off", () => {
+    assert.strictEqual(
+        rewriteCsp("script-src 'self' 'unsafe-inline'; style-src 'unsafe-inline'", NONCE),
+        "script-src 'self' 'unsafe-inline'; style-src 'unsafe-inline'"
+    );
+    // With a nonce or hash already present 'unsafe-inline' is ignored anyway
+    assert.strictEqual(
+        rewriteCsp("script-src 'unsafe-inline' 'nonce-site'", NONCE),
+        `script-src 'unsafe-inline' 'nonce-site' 'nonce-${NONCE}'`
+    );
+});
+
+test('every comma-separated policy is rewritten', () => {
+    assert.strictEqual(
+        rewriteCsp("script-src https://a.example, img-src https://b.example", NONCE),
+        `script-src 'self' 'nonce-${NONCE}', img-src 'self'`
+    );
+});
+
+test('Link headers point at the proxy routes for what they load', () => {
+    const links = rewriteLinkHeader('</app.css>; rel=preload; as=style, <https://cdn.example.com/i.png>; rel="preload"; as="image", <next>; rel=next', { url: PAGE }).split(', ');
+    assert.strictEqual(links.length, 3);
+
+    const [style, image, next] = links.map(link => link.match(/^<([^>]*)>(.*)$/));
+    assert.strictEqual(unproxied(style[1], 'asset'), 'https://example.com/app.css');
+    assert.strictEqual(style[2], '; rel=preload; as=style');
+    assert.strictEqual(unproxied(image[1], 'image'), 'https://cdn.example.com/i.png');
+    assert.strictEqual(unproxied(next[1], 'proxy'), 'https://example.com/docs/next');
+});
+
+test('preconnect and dns-prefetch links are dropped', () => {
+    assert.strictEqual(rewriteLinkHeader('<https://fonts.example.com>; rel=preconnect', { url: PAGE }), null);
+    const kept = rewriteLinkHeader('<https://fonts.example.com>; rel="dns-prefetch", <https://fonts.example.com>; rel=preconnect; crossorigin, </a.js>; rel=modulepreload', { url: PAGE });
+    assert.strictEqual(kept.split(', ').length, 1);
+    assert.match(kept, /^<\/asset\/[^>]+>; rel=modulepreload$/);
+});
+
+test('the header policy passes, rewrites and drops', () => {
+    const sent = sentHeaders({
+        'Cache-Control': 'max-age=60',
+        'ETag': '"v1"',
+        'WWW-Authenticate': 'Basic realm="site"',
+        'Location': '/login',
+        'Refresh': '5; url=/next',
+        'Content-Security-Policy': "script-src https://cdn.example.com; frame-ancestors 'none'",
+        'Content-Security-Policy-Report-Only': "default-src 'none'",
+        'Set-Cookie': 'a=1',
+        'Strict-Transport-Security': 'max-age=100',
+        'X-Frame-Options': 'DENY',
+        'Report-To': '{}',
+        'X-Powered-By': 'php',
+        'X-Custom-Thing': 'yes'
+    });
+
+    assert.deepStrictEqual(Object.keys(sent).sort(), ['cache-control', 'content-security-policy', 'etag', 'location', 'refresh', 'www-authenticate']);
+    assert.strictEqual(sent['cache-control'], 'max-age=60');
+    assert.strictEqual(sent['www-authenticate'], 'Basic realm="site"');
+    assert.strictEqual(unproxied(sent['location'], 'proxy'), 'https://example.com/login');
+    assert.match(sent['refresh'], /^5; url=\/proxy\//);
+    assert.strictEqual(sent['content-security-policy'], `script-src 'self' 'nonce-${NONCE}'`);
+});
+
+test("our own lite and reader documents don't keep the site's CSP", () => {
+    const sent = sentHeaders({ 'Content-Security-Policy': "script-src 'none'" }, { ownDocument: true });
+    assert.strictEqual(sent['content-security-policy'], undefined);
+});
+
+test("asset caching defaults never override the origin's own", () => {
+    const cached = headers => {
+        const sent = {};
+        setAssetCaching({ set: (name, value) => { sent[name] = value; } }, new Response(null, { headers }), 'public, max-age=7200');
+        return sent;
+    };
+
+    assert.deepStrictEqual(cached({}), { 'Cache-Control': 'public, max-age=7200' });
+    assert.deepStrictEqual(cached({ 'cache-control': 'private, max-age=60' }), { 'Cache-Control': 'private, max-age=60' });
+    assert.deepStrictEqual(cached({ 'cache-control': 'no-store' }), { 'Cache-Control': 'no-store' });
+    assert.deepStrictEqual(cached({ expires: 'Thu, 01 Jan 1970 00:00:00 GMT' }), { Expires: 'Thu, 01 Jan 1970 00:00:00 GMT' });
+});
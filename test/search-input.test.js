@@ -0,0 +1,72 @@
+// Address bar input classification: what /api/search treats as a URL and what it searches for
+const test = require('node:test');
+const assert = require('node:assert');
+
+process.env.SECRET_KEY = process.env.SECRET_KEY || 'test';
+const { classifySearchInput } = require('../server');
+
+// [input, expected type, expected candidates (url only)]
+const CASES = [
+    // Plain searches
+    ['cats', 'query'],
+    ['node.js tutorial', 'query'],
+    ['node.js', 'query'],
+    ['3.14', 'query'],
+    ['1.5', 'query'],
+    ['what is 2+2', 'query'],
+    ['site:example.com', 'query'],
+    ['someone@example.com', 'query'],
+    ['mailto:someone@example.com', 'query'],
+    ['javascript:alert(1)', 'query'],
+    ['intranet', 'query'],
+    ['com', 'query'],
+    ['foo.notarealtld', 'query'],
+    ['localhost:notaport', 'query'],
+
+    // Explicit schemes
+    ['https://example.com/a?b=c#d', 'url', ['https://example.com/a?b=c#d']],
+    ['HTTP://Example.COM', 'url', ['http://example.com/']],
+    ['ftp://files.example.com/pub', 'unsupported'],
+    ['ws://example.com/socket', 'unsupported'],
+
+    // Domains: bare host first, www. only as a fallback for registrable domains
+    ['example.com', 'url', ['https://example.com/', 'https://www.example.com/']],
+    ['Example.com/Some/Path?q=1', 'url', ['https://example.com/Some/Path?q=1', 'https://www.example.com/Some/Path?q=1']],
+    ['example.co.uk', 'url', ['https://example.co.uk/', 'https://www.example.co.uk/']],
+    ['www.example.com', 'url', ['https://www.example.com/']],
+    ['docs.example.com/guide', 'url', ['https://docs.example.com/guide']],
+    ['foo.github.io', 'url', ['https://foo.github.io/']],
+    ['example.com.', 'url', ['https://example.com./', 'https://www.example.com./']],
+    ['example.com:8443/admin', 'url', ['https://example.com:8443/admin', 'https://www.example.com:8443/admin']],
+    ['münchen.de', 'url', ['https://xn--mnchen-3ya.de/', 'https://www.xn--mnchen-3ya.de/']],
+    ['readme.md', 'url', ['https://readme.md/', 'https://www.readme.md/']],
+
+    // Local names, ports and IP literals go over plain http as typed
+    ['localhost', 'url', ['http://localhost/']],
+    ['localhost:3000', 'url', ['http://localhost:3000/']],
+    ['localhost:3000/api?x=1', 'url', ['http://localhost:3000/api?x=1']],
+    ['foo.local/path', 'url', ['http://foo.local/path']],
+    ['router.home.arpa', 'url', ['http://router.home.arpa/']],
+    ['devbox:8080', 'url', ['http://devbox:8080/']],
+    ['192.168.1.1', 'url', ['http://192.168.1.1/']],
+    ['8.8.8.8:53/dns', 'url', ['http://8.8.8.8:53/dns']],
+    ['[::1]:8080', 'url', ['http://[::1]:8080/']],
+    ['2001:db8::1', 'url', ['http://[2001:db8::1]/']],
+    ['::1', 'url', ['http://[::1]/']]
+];
+
+CASES.forEach(([input, type, candidates]) => {
+    test(`classifies ${JSON.stringify(input)} as ${type}`, () => {
+        const result = classifySearchInput(input);
+        assert.strictEqual(result.type, type);
+        if (candidates) {
+            assert.deepStrictEqual(result.candidates, candidates);
+        }
+    });
+});
+
+test('only guessed domains need resolving', () => {
+    assert.strictEqual(classifySearchInput('example.com').resolve, true);
+    assert.strictEqual(classifySearchInput('https://example.com').resolve, false);
+    assert.strictEqual(classifySearchInput('localhost:3000').resolve, false);
+});
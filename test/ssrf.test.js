@@ -0,0 +1,136 @@
+// Upstream destinations: private, loopback and metadata addresses are refused on every hop
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+
+process.env.SECRET_KEY = process.env.SECRET_KEY || 'test';
+process.env.SSRF_ALLOWLIST = '127.0.0.2,10.9.0.0/16';
+const { embeddedIpv4, isBlockedAddress, assertPublicDestination, guardedLookup, fetchUpstream } = require('../server');
+
+// [address, blocked]
+const ADDRESS_CASES = [
+    ['8.8.8.8', false],
+    ['93.184.216.34', false],
+    ['0.0.0.0', true],
+    ['10.1.2.3', true],
+    ['100.64.0.1', true],
+    ['127.0.0.1', true],
+    ['127.255.255.254', true],
+    ['169.254.169.254', true],
+    ['172.16.0.1', true],
+    ['172.31.255.255', true],
+    ['172.32.0.1', false],
+    ['192.168.1.1', true],
+    ['198.18.0.1', true],
+    ['224.0.0.1', true],
+    ['255.255.255.255', true],
+
+    // IPv6 ranges
+    ['2606:4700:4700::1111', false],
+    ['::', true],
+    ['::1', true],
+    ['100::1', true],
+    ['2001:db8::1', true],
+    ['fc00::1', true],
+    ['fd12:3456::1', true],
+    ['fe80::1', true],
+    ['fec0::1', true],
+    ['ff02::1', true],
+
+    // IPv4 inside IPv6: mapped, NAT64 and 6to4, dotted and hex
+    ['::ffff:127.0.0.1', true],
+    ['::ffff:7f00:1', true],
+    ['::FFFF:A9FE:A9FE', true],
+    ['::ffff:8.8.8.8', false],
+    ['64:ff9b::10.0.0.1', true],
+    ['64:ff9b::a00:1', true],
+    ['64:ff9b::808:808', false],
+    ['2002:c0a8:101::1', true],
+    ['2002:808:808::', false],
+
+    // SSRF_ALLOWLIST entries win, whichever form they arrive in
+    ['127.0.0.2', false],
+    ['::ffff:127.0.0.2', false],
+    ['10.9.4.4', false],
+    ['10.10.4.4', true]
+];
+
+ADDRESS_CASES.forEach(([address, blocked]) => {
+    test(`${address} is ${blocked ? 'blocked' : 'allowed'}`, () => {
+        assert.strictEqual(isBlockedAddress(address), blocked);
+    });
+});
+
+test('embeddedIpv4 unwraps every IPv6 form that carries an IPv4 address', () => {
+    assert.strictEqual(embeddedIpv4('::ffff:192.168.0.1'), '192.168.0.1');
+    assert.strictEqual(embeddedIpv4('::ffff:c0a8:1'), '192.168.0.1');
+    assert.strictEqual(embeddedIpv4('64:ff9b::c0a8:1'), '192.168.0.1');
+    assert.strictEqual(embeddedIpv4('2002:c0a8:1::'), '192.168.0.1');
+    assert.strictEqual(embeddedIpv4('2002:c0a8:1:5::9'), '192.168.0.1');
+    assert.strictEqual(embeddedIpv4('::1'), null);
+    assert.strictEqual(embeddedIpv4('2001:db8::c0a8:1'), null);
+});
+
+test('assertPublicDestination refuses blocked IP literals', () => {
+    ['http://127.0.0.1/', 'http://[::1]:8080/', 'http://[::ffff:a9fe:a9fe]/latest/meta-data/', 'http://10.0.0.1/'].forEach(url => {
+        assert.throws(() => assertPublicDestination(url), { code: 'EBLOCKEDDEST' }, url);
+    });
+
+    // Names are left to guardedLookup, which sees the addresses actually connected to
+    assertPublicDestination('https://example.com/');
+    assertPublicDestination('http://127.0.0.2/');
+    assertPublicDestination('https://[2606:4700:4700::1111]/');
+});
+
+test('guardedLookup refuses names that resolve to blocked addresses', (t, done) => {
+    guardedLookup('localhost', {}, (error) => {
+        assert.strictEqual(error && error.code, 'EBLOCKEDDEST');
+        done();
+    });
+});
+
+test('guardedLookup passes allowed addresses on in the shape it was asked for', (t, done) => {
+    guardedLookup('127.0.0.2', (error, address, family) => {
+        assert.ifError(error);
+        assert.strictEqual(address, '127.0.0.2');
+        assert.strictEqual(family, 4);
+
+        guardedLookup('127.0.0.2', { all: true }, (allError, addresses) => {
+            assert.ifError(allError);
+            assert.deepStrictEqual(addresses, [{ address: '127.0.0.2', family: 4 }]);
+            done();
+        });
+    });
+});
+
+test('redirects onto the internal network are refused hop by hop', async (t) => {
+    let internalHits = 0;
+    const server = http.createServer((req, res) => {
+        if (req.headers.host.startsWith('127.0.0.1')) {
+            internalHits++;
+            res.end('internal');
+            return;
+        }
+        const { port } = server.address();
+        const locations = {
+            '/literal': `http://127.0.0.1:${port}/secret`,
+            '/mapped': `http://[::ffff:127.0.0.1]:${port}/secret`,
+            '/name': `http://localhost:${port}/secret`
+        };
+        res.writeHead(302, { Location: locations[req.url] });
+        res.end();
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.2', resolve));
+    t.after(() => server.close());
+
+    const { port } = server.address();
+    const fetchOptions = { method: 'GET', headers: {} };
+    const client = { method: 'GET', headers: {} };
+
+    await assert.rejects(fetchUpstream(client, {}, `http://127.0.0.2:${port}/literal`, fetchOptions), { code: 'EBLOCKEDDEST' });
+    await assert.rejects(fetchUpstream(client, {}, `http://127.0.0.2:${port}/mapped`, fetchOptions), { code: 'EBLOCKEDDEST' });
+    await assert.rejects(fetchUpstream(client, {}, `http://127.0.0.2:${port}/name`, fetchOptions), (error) => {
+        return (error.cause || error).code === 'EBLOCKEDDEST';
+    });
+    assert.strictEqual(internalHits, 0);
+});
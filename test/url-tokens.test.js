@@ -0,0 +1,195 @@
+// URL tokens: sealed server tokens, signed per-session client tokens and key rotation
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+process.env.SECRET_KEY = process.env.SECRET_KEY || 'test';
+
+// Each keyring needs a fresh copy of the server module, which reads it at load
+function loadServer(keys) {
+    delete require.cache[require.resolve('../server')];
+    process.env.URL_TOKEN_KEYS = keys;
+    return require('../server');
+}
+
+const TARGET = 'https://example.com/path?q=1';
+const SESSION = { id: 'session-one' };
+const OTHER_SESSION = { id: 'session-two' };
+const NOW = Math.floor(Date.now() / 1000);
+
+// A client token the way public/proxy-runtime.js mints it
+function clientToken(key, targetUrl, expires) {
+    const mask = crypto.createHmac('sha256', key).update('mask').digest();
+    const signed = Buffer.alloc(4 + Buffer.byteLength(targetUrl));
+    signed.writeUInt32BE(expires);
+    signed.write(targetUrl, 4);
+    const tag = crypto.createHmac('sha256', key).update(signed).digest().subarray(0, 16);
+
+    const masked = Buffer.from(signed);
+    for (let i = 4; i < masked.length; i++) {
+        masked[i] ^= mask[(i - 4) % mask.length];
+    }
+    return 'c.' + Buffer.concat([masked, tag]).toString('base64url');
+}
+
+// The encoders the browser really runs, each in a bare-bones global of its own
+const noop = () => {};
+
+function runtimeEncoder(key) {
+    const window = {
+        __PROXY_CONFIG__: { base: 'https://example.com/', key: key.toString('hex'), ttl: 60, now: NOW },
+        location: new URL('https://proxy.test/proxy/page'),
+        history: { state: null, pushState: noop, replaceState: noop },
+        navigator: {},
+        document: { addEventListener: noop, getElementById: () => null },
+        XMLHttpRequest: function() {},
+        Element: function() {},
+        MutationObserver: class { observe() {} },
+        addEventListener: noop,
+        fetch: noop,
+        open: noop,
+        URL,
+        TextEncoder,
+        TextDecoder,
+        btoa,
+        atob
+    };
+    window.window = window.parent = window.top = window;
+    vm.runInNewContext(fs.readFileSync(path.join(__dirname, '../public/proxy-runtime.js'), 'utf8'), window);
+    return window.__proxyRuntime.encode;
+}
+
+function serviceWorkerEncoder(key) {
+    const self = {
+        location: new URL('https://proxy.test/sw.js'),
+        registration: { scope: 'https://proxy.test/proxy/' },
+        addEventListener: noop
+    };
+    const context = vm.createContext({
+        self,
+        crypto: crypto.webcrypto,
+        fetch: async () => new Response(JSON.stringify({ key: key.toString('hex'), ttl: 60, now: NOW })),
+        URL,
+        TextEncoder,
+        TextDecoder,
+        Response,
+        btoa,
+        atob
+    });
+    vm.runInContext(fs.readFileSync(path.join(__dirname, '../public/sw.js'), 'utf8'), context);
+    return targetUrl => vm.runInContext('encode', context)(targetUrl);
+}
+
+// Non-ASCII text, and lengths either side of SHA-256's block and padding boundaries
+const ROUND_TRIP_URLS = [
+    TARGET,
+    'https://例え.jp/パス?q=ü&emoji=😀',
+    ...[40, 55, 56, 64, 119, 120, 300].map(length => `https://example.com/${'a'.repeat(length)}`)
+];
+
+// Flip one bit of the decoded token body
+function tampered(token, index) {
+    const separator = token.indexOf('.');
+    const data = Buffer.from(token.slice(separator + 1), 'base64url');
+    data[index < 0 ? data.length + index : index] ^= 1;
+    return token.slice(0, separator + 1) + data.toString('base64url');
+}
+
+const server = loadServer('k1:first-secret');
+
+test('server tokens open to their URL', () => {
+    const token = server.encryptUrl(TARGET);
+    assert.match(token, /^k1\.[A-Za-z0-9_-]{43,}$/);
+    assert.deepStrictEqual(server.openUrlToken(token), { url: TARGET });
+    assert.strictEqual(server.decryptUrl(token), TARGET);
+});
+
+test('tampered server tokens are rejected', () => {
+    const token = server.encryptUrl(`${TARGET}&tampered`, 0);
+    [0, 12, 20, -1].forEach(index => {
+        assert.deepStrictEqual(server.openUrlToken(tampered(token, index)), { error: 'invalid' }, `byte ${index}`);
+    });
+    assert.deepStrictEqual(server.openUrlToken(token.slice(0, 30)), { error: 'invalid' });
+    assert.deepStrictEqual(server.openUrlToken('k1.'), { error: 'invalid' });
+    assert.deepStrictEqual(server.openUrlToken(undefined), { error: 'invalid' });
+});
+
+test('a token under another key id is rejected', () => {
+    const token = server.encryptUrl(`${TARGET}&moved`, 0);
+    const body = token.slice(token.indexOf('.'));
+    assert.deepStrictEqual(server.openUrlToken(`k2${body}`), { error: 'invalid' });
+    assert.deepStrictEqual(server.openUrlToken(`c${body}`, SESSION), { error: 'invalid' });
+});
+
+test('expired server tokens are told apart from invalid ones', () => {
+    const token = server.encryptUrl(`${TARGET}&old`, -60 * 1000);
+    assert.deepStrictEqual(server.openUrlToken(token), { error: 'expired' });
+    assert.strictEqual(server.decryptUrl(token), null);
+});
+
+test('client tokens open in their own session only', () => {
+    const token = clientToken(server.clientTokenKey(SESSION), TARGET, NOW + 60);
+    assert.deepStrictEqual(server.openUrlToken(token, SESSION), { url: TARGET });
+    assert.deepStrictEqual(server.openUrlToken(token, OTHER_SESSION), { error: 'invalid' });
+    assert.deepStrictEqual(server.openUrlToken(token, null), { error: 'invalid' });
+    assert.deepStrictEqual(server.openUrlToken(token), { error: 'invalid' });
+});
+
+test('tampered client tokens are rejected', () => {
+    const token = clientToken(server.clientTokenKey(SESSION), TARGET, NOW + 60);
+    [0, 3, 4, 10, -1].forEach(index => {
+        assert.deepStrictEqual(server.openUrlToken(tampered(token, index), SESSION), { error: 'invalid' }, `byte ${index}`);
+    });
+    assert.deepStrictEqual(server.openUrlToken('c.', SESSION), { error: 'invalid' });
+
+    // The old unsigned format: the TARGET XOR a key
+    assert.deepStrictEqual(server.openUrlToken(`c.${Buffer.from(TARGET).toString('base64url')}`, SESSION), { error: 'invalid' });
+});
+
+test('client tokens always expire', () => {
+    const key = server.clientTokenKey(SESSION);
+    assert.deepStrictEqual(server.openUrlToken(clientToken(key, TARGET, NOW - 1), SESSION), { error: 'expired' });
+    assert.deepStrictEqual(server.openUrlToken(clientToken(key, TARGET, 0), SESSION), { error: 'expired' });
+});
+
+test('client token keys come from the keyring, not the session id alone', () => {
+    assert.strictEqual(server.clientTokenKey(SESSION).length, 32);
+    assert.notDeepStrictEqual(server.clientTokenKey(SESSION), server.clientTokenKey(OTHER_SESSION));
+    assert.notDeepStrictEqual(loadServer('k1:another-secret').clientTokenKey(SESSION), server.clientTokenKey(SESSION));
+});
+
+test('a rotated keyring still opens tokens sealed with its older keys', () => {
+    const old = loadServer('k1:first-secret');
+    const serverToken = old.encryptUrl(`${TARGET}&rotated`, 0);
+    const oldClientKey = old.clientTokenKey(SESSION);
+    const clientTokenBefore = clientToken(oldClientKey, TARGET, NOW + 60);
+
+    const rotated = loadServer('k2:second-secret,k1:first-secret');
+    assert.deepStrictEqual(rotated.openUrlToken(serverToken), { url: `${TARGET}&rotated` });
+    assert.deepStrictEqual(rotated.openUrlToken(clientTokenBefore, SESSION), { url: TARGET });
+    assert.match(rotated.encryptUrl(`${TARGET}&new`, 0), /^k2\./);
+    assert.notDeepStrictEqual(rotated.clientTokenKey(SESSION), oldClientKey);
+
+    const retired = loadServer('k2:second-secret');
+    assert.deepStrictEqual(retired.openUrlToken(serverToken), { error: 'invalid' });
+    assert.deepStrictEqual(retired.openUrlToken(clientTokenBefore, SESSION), { error: 'invalid' });
+});
+
+test("tokens from the page runtime's encoder open on the server", () => {
+    const encode = runtimeEncoder(server.clientTokenKey(SESSION));
+    ROUND_TRIP_URLS.forEach(targetUrl => {
+        assert.deepStrictEqual(server.openUrlToken(encode(targetUrl), SESSION), { url: targetUrl });
+    });
+    assert.deepStrictEqual(server.openUrlToken(encode(TARGET), OTHER_SESSION), { error: 'invalid' });
+});
+
+test("tokens from the service worker's encoder open on the server", async () => {
+    const encode = serviceWorkerEncoder(server.clientTokenKey(SESSION));
+    for (const targetUrl of ROUND_TRIP_URLS) {
+        assert.deepStrictEqual(server.openUrlToken(await encode(targetUrl), SESSION), { url: targetUrl });
+    }
+    assert.deepStrictEqual(server.openUrlToken(await encode(TARGET), OTHER_SESSION), { error: 'invalid' });
+});